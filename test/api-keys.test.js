@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN_KEY, loadServer, startApp, createAccount, inviteAccount } = require('./helpers');
+
+const { app, dataDir } = loadServer();
+const storedKeys = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'api_keys.json'), 'utf8')).data;
+
+test('personal API keys', async t => {
+  const request = await startApp(app);
+  const owner = await createAccount(request, 'olive', { organization: 'Olive Paving' });
+  const office = await inviteAccount(request, owner, 'oscar', 'office');
+  const field = await inviteAccount(request, owner, 'fiona', 'field');
+
+  const createKey = async (account, scopes, extra = {}) => {
+    const res = await request('POST', '/api/me/api-keys', { name: 'CI', scopes, ...extra }, account.token);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body;
+  };
+  const withKey = (key, method, urlPath, body) => request(method, urlPath, body, null, { 'X-API-Key': key });
+  const invoice = { clientName: 'Acme', invoiceNumber: 'K-1', lineItems: [{ description: 'Work', quantity: 1, unitPrice: 10 }] };
+
+  await t.test('only the SHA-256 of a key is stored', async () => {
+    const { key, apiKey } = await createKey(office, ['invoices:read']);
+    assert.match(key, /^pak_/);
+    assert.equal(apiKey.prefix, key.slice(0, 10));
+    const record = storedKeys().find(k => k.id === apiKey.id);
+    assert.equal(record.keyHash, crypto.createHash('sha256').update(key).digest('hex'));
+    assert.ok(!fs.readFileSync(path.join(dataDir, 'api_keys.json'), 'utf8').includes(key));
+
+    const listed = (await request('GET', '/api/me/api-keys', undefined, office.token)).body.keys;
+    assert.equal(listed.find(k => k.id === apiKey.id).keyHash, undefined);
+    assert.equal((await withKey(key, 'GET', '/api/invoices')).status, 200);
+    assert.equal((await withKey(key.slice(0, -1) + (key.endsWith('A') ? 'B' : 'A'), 'GET', '/api/invoices')).status, 403);
+  });
+
+  await t.test('a key only carries its scopes', async () => {
+    const { key } = await createKey(office, ['invoices:read']);
+    const denied = await withKey(key, 'POST', '/api/invoices', invoice);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.permission, 'invoices:write');
+    assert.equal((await withKey(key, 'POST', '/api/chat', { prompt: 'Hi' })).status, 403);
+
+    const { key: writer } = await createKey(office, ['invoices:read', 'invoices:write']);
+    assert.equal((await withKey(writer, 'POST', '/api/invoices', invoice)).status, 200);
+  });
+
+  await t.test('a key never grants more than its owner\'s role', async () => {
+    const res = await request('POST', '/api/me/api-keys', { name: 'CI', scopes: ['invoices:write'] }, field.token);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /cannot grant: invoices:write/);
+
+    const { key } = await createKey(office, ['invoices:write']);
+    await request('POST', '/admin/users/oscar/role', { role: 'read-only' }, owner.token);
+    assert.equal((await withKey(key, 'POST', '/api/invoices', invoice)).status, 403);
+    await request('POST', '/admin/users/oscar/role', { role: 'office' }, owner.token);
+  });
+
+  await t.test('the deployment key is refused on organization routes', async () => {
+    assert.equal((await withKey(ADMIN_KEY, 'GET', '/api/invoices')).status, 403);
+  });
+
+  await t.test('revoked and expired keys stop working', async () => {
+    const { key, apiKey } = await createKey(office, ['invoices:read'], { expiresInDays: 1 });
+    assert.equal((await request('DELETE', `/api/me/api-keys/${apiKey.id}`, undefined, field.token)).status, 404);
+    assert.equal((await withKey(key, 'GET', '/api/invoices')).status, 200);
+    assert.equal((await request('DELETE', `/api/me/api-keys/${apiKey.id}`, undefined, office.token)).status, 200);
+    assert.equal((await withKey(key, 'GET', '/api/invoices')).status, 403);
+
+    const { key: shortLived } = await createKey(office, ['invoices:read'], { expiresInDays: 1 });
+    const realNow = Date.now;
+    t.mock.method(Date, 'now', () => realNow() + 25 * 60 * 60 * 1000);
+    try {
+      assert.equal((await withKey(shortLived, 'GET', '/api/invoices')).status, 403);
+    } finally {
+      Date.now.mock.restore();
+    }
+  });
+
+  await t.test('deleting the owner revokes their keys', async () => {
+    const temp = await inviteAccount(request, owner, 'tempo', 'office');
+    const { key } = await createKey(temp, ['invoices:read']);
+    await request('POST', '/admin/delete-user', { username: 'tempo' }, owner.token);
+    assert.equal((await withKey(key, 'GET', '/api/invoices')).status, 403);
+    assert.equal(storedKeys().some(k => k.username === 'tempo'), false);
+  });
+
+  await t.test('lastUsedAt is saved at most once a minute', async () => {
+    const { key, apiKey } = await createKey(office, ['invoices:read']);
+    const stored = () => storedKeys().find(k => k.id === apiKey.id).lastUsedAt;
+    const listed = async () => (await request('GET', '/api/me/api-keys', undefined, office.token)).body.keys.find(k => k.id === apiKey.id).lastUsedAt;
+    assert.equal(stored(), null);
+
+    await withKey(key, 'GET', '/api/invoices');
+    const first = stored();
+    assert.ok(first);
+
+    const realNow = Date.now;
+    t.mock.method(Date, 'now', () => realNow() + 30 * 1000);
+    await withKey(key, 'GET', '/api/invoices');
+    assert.equal(stored(), first);
+    assert.ok(await listed() > first);
+
+    Date.now.mock.mockImplementation(() => realNow() + 90 * 1000);
+    await withKey(key, 'GET', '/api/invoices');
+    assert.ok(stored() > first);
+    Date.now.mock.restore();
+  });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp } = require('./helpers');
+
+const { app, agingBucket } = loadServer({ USERS: 'alice:correct-horse' });
+
+test('agingBucket boundaries', () => {
+  const cases = [[-5, 'current'], [0, 'current'], [1, '1-30'], [30, '1-30'], [31, '31-60'], [60, '31-60'],
+    [61, '61-90'], [90, '61-90'], [91, '90+'], [400, '90+']];
+  for (const [days, bucket] of cases) assert.equal(agingBucket(days), bucket, `${days} days`);
+});
+
+test('AR aging report', async t => {
+  const request = await startApp(app);
+  const login = await request('POST', '/login', { username: 'alice', password: 'correct-horse' });
+  const token = login.body.token;
+  const api = (method, path, body) => request(method, path, body, token);
+
+  const create = async (invoiceNumber, clientName, fields) => {
+    const res = await api('POST', '/api/invoices', {
+      invoiceNumber, clientName, issueDate: '2026-01-15',
+      lineItems: [{ description: 'Work', quantity: 1, unitPrice: 1000 }],
+      ...fields
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.invoice;
+  };
+  const pay = async (invoice, amount, date) => {
+    const res = await api('POST', `/api/invoices/${invoice.id}/payments`, { amount, date });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  };
+
+  // Aged as of 2026-06-30
+  await create('A-1', 'Acme', { dueDate: '2026-06-30' });                 // 0 days: current
+  await create('A-2', 'Acme', { dueDate: '2026-05-31' });                 // 30 days: 1-30
+  await create('A-3', 'acme ', { dueDate: '2026-04-01' });                // 90 days: 61-90, same client
+  const partlyPaid = await create('B-1', 'Beta', { dueDate: '2026-05-30' }); // 31 days: 31-60
+  await pay(partlyPaid, 300, '2026-06-15');
+  await pay(partlyPaid, 200, '2026-07-05');                                // after asOf
+  await create('B-2', 'Beta', { dueDate: '2026-03-31', retainage: { rate: 10, released: false } }); // 91 days: 90+
+  const settled = await create('B-3', 'Beta', { dueDate: '2026-05-01' });
+  await pay(settled, 1000, '2026-06-01');
+  await create('B-4', 'Beta', { issueDate: '2026-07-02', dueDate: '2026-08-01' }); // issued after asOf
+  await create('D-1', 'Draftco', { dueDate: '2026-01-31', draft: true });
+
+  await t.test('buckets each open balance by days past due as of the given date', async () => {
+    const res = await api('GET', '/api/reports/ar-aging?asOf=2026-06-30');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.asOf, '2026-06-30');
+    assert.deepEqual(res.body.totals, { current: 1000, '1-30': 1000, '31-60': 700, '61-90': 1000, '90+': 900, retainage: 100, total: 4700 });
+    assert.deepEqual(res.body.clients.map(c => [c.client, c.invoiceCount, c.total]), [['Acme', 3, 3000], ['Beta', 2, 1700]]);
+    assert.equal(res.body.clients[0].invoices, undefined);
+  });
+
+  await t.test('ignores payments dated after asOf and includes invoices issued by then', async () => {
+    const res = await api('GET', '/api/reports/ar-aging?asOf=2026-07-10&client=beta');
+    assert.equal(res.status, 200);
+    const beta = res.body.clients[0];
+    assert.deepEqual(beta.invoices.map(i => [i.invoiceNumber, i.bucket, i.balance]),
+      [['B-2', '90+', 1000], ['B-1', '31-60', 500], ['B-4', 'current', 1000]]);
+    assert.equal(res.body.clients.length, 1);
+  });
+
+  await t.test('filters by bucket', async () => {
+    const res = await api('GET', '/api/reports/ar-aging?asOf=2026-06-30&bucket=61-90');
+    assert.deepEqual(res.body.clients.flatMap(c => c.invoices.map(i => [i.invoiceNumber, i.daysPastDue])), [['A-3', 90]]);
+    assert.equal(res.body.totals.total, 1000);
+  });
+
+  await t.test('nothing is open before the first invoice was issued', async () => {
+    const res = await api('GET', '/api/reports/ar-aging?asOf=2026-01-01');
+    assert.deepEqual(res.body.clients, []);
+    assert.equal(res.body.totals.total, 0);
+  });
+
+  await t.test('rejects a malformed asOf or bucket', async () => {
+    assert.equal((await api('GET', '/api/reports/ar-aging?asOf=06/30/2026')).status, 400);
+    assert.equal((await api('GET', '/api/reports/ar-aging?bucket=120+')).status, 400);
+  });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN_KEY, loadServer, startApp, createAccount } = require('./helpers');
+
+const { app, verifyAuditChain, dataDir } = loadServer();
+
+test('audit log hash chain', async t => {
+  const request = await startApp(app);
+  const owner = await createAccount(request, 'audra', { organization: 'Audra Electric' });
+  await request('POST', '/login', { username: 'audra', password: 'wrong-password' });
+  await request('POST', '/api/invoices', { clientName: 'Acme', invoiceNumber: 'AU-1', lineItems: [{ description: 'Wiring', quantity: 1, unitPrice: 900 }] }, owner.token);
+  const stored = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'audit.json'), 'utf8')).data;
+  const entries = stored();
+
+  await t.test('every entry links to the one before it', () => {
+    assert.ok(entries.length >= 3);
+    assert.deepEqual(entries.map(e => e.seq), entries.map((e, i) => i + 1));
+    assert.equal(entries[0].prevHash, '0'.repeat(64));
+    entries.slice(1).forEach((entry, i) => assert.equal(entry.prevHash, entries[i].hash));
+    assert.deepEqual(verifyAuditChain(entries), { valid: true, entries: entries.length, brokenAt: null });
+  });
+
+  await t.test('/admin/audit reports the chain as intact', async () => {
+    const res = await request('GET', '/admin/audit', undefined, null, { 'X-Admin-Key': ADMIN_KEY });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.integrity.valid, true);
+    assert.equal(res.body.integrity.entries, stored().length);
+  });
+
+  await t.test('editing an entry is detected at that entry', () => {
+    const edited = structuredClone(entries);
+    edited[1].actor = 'someone-else';
+    assert.deepEqual(verifyAuditChain(edited), { valid: false, entries: entries.length, brokenAt: 2 });
+  });
+
+  await t.test('re-hashing an edited entry breaks the link from the next one', () => {
+    const edited = structuredClone(entries);
+    const { hash, ...content } = edited[0];
+    content.outcome = 'failure';
+    edited[0] = { ...content, hash: crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex') };
+    assert.equal(verifyAuditChain(edited).brokenAt, 2);
+  });
+
+  await t.test('deleting or reordering entries is detected', () => {
+    assert.equal(verifyAuditChain(entries.filter((e, i) => i !== 1)).brokenAt, 2);
+    const swapped = structuredClone(entries);
+    [swapped[1], swapped[2]] = [swapped[2], swapped[1]];
+    assert.equal(verifyAuditChain(swapped).valid, false);
+    // Dropping the newest entries leaves a valid, shorter chain; the count is what shows it
+    assert.equal(verifyAuditChain(entries.slice(0, -1)).valid, true);
+  });
+
+  await t.test('secrets never reach the log', () => {
+    const text = JSON.stringify(stored());
+    assert.ok(!text.includes('audra-password'));
+    assert.ok(!text.includes('wrong-password'));
+  });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ADMIN_KEY, loadServer, startApp } = require('./helpers');
+
+const { app, isPublicAddress, publicOnlyLookup, callbackUrlProblem, postWebhook } =
+  loadServer({ TASK_CALLBACK_ALLOWED_HOSTS: 'hooks.internal.example' });
+
+const NON_PUBLIC = [
+  '127.0.0.1', '127.8.9.10', '0.0.0.0', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+  '100.64.0.1', '169.254.169.254', '::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1',
+  '::ffff:127.0.0.1', '::ffff:10.0.0.1', '::ffff:169.254.169.254'
+];
+
+// Records every request it receives; optionally answers with a redirect
+async function startReceiver(location) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.url);
+    req.resume();
+    if (location) res.writeHead(302, { Location: location }).end();
+    else res.writeHead(204).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, received, close: () => server.close() };
+}
+
+test('isPublicAddress', () => {
+  for (const address of NON_PUBLIC) assert.equal(isPublicAddress(address), false, address);
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress('not-an-ip'), false);
+});
+
+test('callbackUrlProblem refuses non-public targets at submission', async () => {
+  for (const address of NON_PUBLIC) {
+    const host = address.includes(':') ? `[${address}]` : address;
+    assert.match(await callbackUrlProblem(`http://${host}:8080/hook`), /public address/, address);
+  }
+  assert.match(await callbackUrlProblem('http://localhost:3000/hook'), /public address/);
+  assert.match(await callbackUrlProblem('ftp://93.184.216.34/hook'), /http\(s\) URL/);
+  assert.match(await callbackUrlProblem('not a url'), /http\(s\) URL/);
+  assert.equal(await callbackUrlProblem('https://93.184.216.34/hook'), null);
+  assert.equal(await callbackUrlProblem('https://hooks.internal.example/hook'), null);
+});
+
+test('publicOnlyLookup fails for names that resolve to loopback', async () => {
+  const err = await new Promise(resolve => publicOnlyLookup('localhost', { all: true }, resolve));
+  assert.match(err.message, /non-public address/);
+});
+
+test('deliveries with publicOnly never reach a non-public host', async t => {
+  const internal = await startReceiver();
+  t.after(internal.close);
+
+  await assert.rejects(postWebhook(`http://127.0.0.1:${internal.port}/hook`, {}, { publicOnly: true }), /not public/);
+  await assert.rejects(postWebhook(`http://[::ffff:127.0.0.1]:${internal.port}/hook`, {}, { publicOnly: true }), /not public/);
+  // A hostname is checked when it is resolved for the connection, which is what stops DNS rebinding
+  await assert.rejects(postWebhook(`http://localhost:${internal.port}/hook`, {}, { publicOnly: true }), /non-public address/);
+  assert.deepEqual(internal.received, []);
+});
+
+test('redirects are not followed', async t => {
+  const internal = await startReceiver();
+  const redirector = await startReceiver(`http://127.0.0.1:${internal.port}/admin`);
+  t.after(() => { internal.close(); redirector.close(); });
+
+  const res = await postWebhook(`http://127.0.0.1:${redirector.port}/hook`, { taskId: 't' });
+  assert.equal(res.status, 302);
+  assert.deepEqual(redirector.received, ['/hook']);
+  assert.deepEqual(internal.received, []);
+});
+
+test('POST /api/chat refuses non-public callback URLs', async () => {
+  const request = await startApp(app);
+  for (const callbackUrl of ['http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::ffff:10.0.0.1]/', 'http://localhost/']) {
+    const res = await request('POST', '/api/chat', { prompt: 'Hi', async: true, callbackUrl }, null, { 'X-API-Key': ADMIN_KEY });
+    assert.equal(res.status, 400, callbackUrl);
+    assert.match(res.body.message, /public address/);
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, createAccount, startFakeLlm } = require('./helpers');
+
+const delta = content => ({ choices: [{ delta: { content } }] });
+
+// [{ event, data }] from a text/event-stream body, without the comment lines
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+test('streamed chat', async t => {
+  let reply = null;
+  const llm = await startFakeLlm((body, req, res) => reply(body, req, res));
+  const { app } = loadServer({ LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url, LOCAL_LLM_MODELS: 'local-only', DEFAULT_PLAN: 'team' });
+  const request = await startApp(app);
+  const alice = await createAccount(request, 'alice');
+
+  const openStream = (body, signal) => fetch(`${request.baseUrl}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` },
+    body: JSON.stringify({ stream: true, ...body }),
+    signal
+  });
+
+  await t.test('tokens arrive as delta events, then one done event, and the turn is saved', async () => {
+    reply = () => ({ stream: [delta('Hel'), delta('lo'), { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } }] });
+    const { conversation } = (await request('POST', '/api/conversations', { title: 'Stream' }, alice.token)).body;
+    const res = await openStream({ prompt: 'Hi', conversationId: conversation.id });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    const events = parseEvents(await res.text());
+    assert.deepEqual(events, [
+      { event: 'delta', data: { text: 'Hel' } },
+      { event: 'delta', data: { text: 'lo' } },
+      { event: 'done', data: { ai: 'gemini', conversationId: conversation.id } }
+    ]);
+    assert.equal(llm.requests.at(-1).stream, true);
+
+    const saved = (await request('GET', `/api/conversations/${conversation.id}`, undefined, alice.token)).body.conversation;
+    assert.deepEqual(saved.messages.map(m => [m.role, m.content]), [['user', 'Hi'], ['assistant', 'Hello']]);
+  });
+
+  await t.test('a provider failure before any token ends the stream with an error event', async () => {
+    reply = () => ({ status: 500, json: { error: { message: 'boom' } } });
+    const events = parseEvents(await (await openStream({ prompt: 'Hi' })).text());
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event, 'error');
+    assert.equal(events[0].data.status, 503);
+    assert.ok(events[0].data.requestId);
+  });
+
+  await t.test('closing the stream aborts the upstream request and saves nothing', async () => {
+    let upstreamClosed;
+    const closed = new Promise(resolve => { upstreamClosed = resolve; });
+    // Sends one token, then holds the response open until the server hangs up
+    reply = (body, req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify(delta('Partial'))}\n\n`);
+      res.on('close', upstreamClosed);
+      return null;
+    };
+    const { conversation } = (await request('POST', '/api/conversations', { title: 'Cancelled' }, alice.token)).body;
+    const client = new AbortController();
+    const res = await openStream({ prompt: 'Long answer please', conversationId: conversation.id }, client.signal);
+    const reader = res.body.getReader();
+    const { value } = await reader.read();
+    assert.match(Buffer.from(value).toString(), /event: delta\ndata: {"text":"Partial"}/);
+
+    client.abort();
+    await closed;
+    const saved = (await request('GET', `/api/conversations/${conversation.id}`, undefined, alice.token)).body.conversation;
+    assert.deepEqual(saved.messages, []);
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { coerceSetting, CONFIG_SCHEMA } = loadServer();
+
+test('int settings', () => {
+  const spec = { type: 'int', min: 1, max: 100 };
+  assert.equal(coerceSetting(spec, '42', true), 42);
+  assert.equal(coerceSetting(spec, ' 7 ', true), 7);
+  assert.equal(coerceSetting(spec, 42, false), 42);
+  assert.throws(() => coerceSetting(spec, '4.5', true), /must be a whole number/);
+  assert.throws(() => coerceSetting(spec, '12abc', true), /must be a whole number/);
+  assert.throws(() => coerceSetting(spec, '42', false), /must be a whole number/);
+  assert.throws(() => coerceSetting(spec, '0', true), /must be at least 1 \(got 0\)/);
+  assert.throws(() => coerceSetting(spec, '101', true), /must be at most 100/);
+});
+
+test('number settings', () => {
+  assert.equal(coerceSetting({ type: 'number' }, '0.25', true), 0.25);
+  assert.equal(coerceSetting({ type: 'number' }, 1.5, false), 1.5);
+  assert.throws(() => coerceSetting({ type: 'number' }, 'abc', true), /must be a number/);
+  assert.throws(() => coerceSetting({ type: 'number' }, '1.5', false), /must be a number/);
+  assert.throws(() => coerceSetting({ type: 'number', max: 1 }, '2', true), /must be at most 1/);
+});
+
+test('bool settings', () => {
+  for (const v of ['true', '1', 'yes', 'ON']) assert.equal(coerceSetting({ type: 'bool' }, v, true), true);
+  for (const v of ['false', '0', 'no', 'Off']) assert.equal(coerceSetting({ type: 'bool' }, v, true), false);
+  assert.equal(coerceSetting({ type: 'bool' }, false, false), false);
+  assert.throws(() => coerceSetting({ type: 'bool' }, 'maybe', true), /must be true or false/);
+});
+
+test('enum settings return the canonical spelling', () => {
+  const spec = { type: 'enum', values: ['json', 'sqlite'] };
+  assert.equal(coerceSetting(spec, 'SQLite', true), 'sqlite');
+  assert.throws(() => coerceSetting(spec, 'mongo', true), /must be one of json, sqlite \(got "mongo"\)/);
+});
+
+test('list settings', () => {
+  assert.deepEqual(coerceSetting({ type: 'list' }, 'a, b,,c ', true), ['a', 'b', 'c']);
+  assert.deepEqual(coerceSetting({ type: 'list' }, ['x', 'y'], false), ['x', 'y']);
+  assert.deepEqual(coerceSetting({ type: 'list' }, '', true), []);
+  const spec = { type: 'list', values: ['gemini', 'openai'] };
+  assert.deepEqual(coerceSetting(spec, 'OpenAI,gemini', true), ['openai', 'gemini']);
+  assert.throws(() => coerceSetting(spec, 'gemini,bard', true), /must be one of/);
+  assert.throws(() => coerceSetting({ type: 'list' }, 5, false), /must be a list/);
+});
+
+test('map settings', () => {
+  assert.deepEqual(coerceSetting({ type: 'map' }, 'Chat:gemini, code:openai', true), { chat: 'gemini', code: 'openai' });
+  assert.deepEqual(coerceSetting({ type: 'map' }, { Chat: ' gemini ' }, false), { chat: 'gemini' });
+  assert.deepEqual(coerceSetting({ type: 'map', values: ['gemini'] }, 'chat:GEMINI', true), { chat: 'gemini' });
+  assert.throws(() => coerceSetting({ type: 'map' }, 'chat', true), /must be key:value pairs/);
+  assert.throws(() => coerceSetting({ type: 'map' }, ['a'], false), /must be an object/);
+});
+
+test('url, timezone and string settings', () => {
+  assert.equal(coerceSetting({ type: 'url' }, 'https://example.com/api/', true), 'https://example.com/api');
+  assert.equal(coerceSetting({ type: 'url' }, '', true), '');
+  assert.throws(() => coerceSetting({ type: 'url' }, 'ftp://example.com', true), /http\(s\) URL/);
+  assert.throws(() => coerceSetting({ type: 'url' }, 'not a url', true), /must be a URL/);
+  assert.equal(coerceSetting({ type: 'timezone' }, 'America/Chicago', true), 'America/Chicago');
+  assert.throws(() => coerceSetting({ type: 'timezone' }, 'Mars/Olympus', true), /IANA time zone/);
+  assert.equal(coerceSetting({ type: 'string' }, '  hi  ', true), 'hi');
+  assert.throws(() => coerceSetting({ type: 'string' }, { nested: true }, false), /must be a string/);
+});
+
+test('every schema default passes its own validation', () => {
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.default === undefined || spec.default === null || typeof spec.default === 'function') continue;
+    assert.doesNotThrow(() => coerceSetting(spec, spec.default, false), `default for ${key}`);
+  }
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startApp, createAccount, startFakeLlm } = require('./helpers');
+
+test('conversations', async t => {
+  const llm = await startFakeLlm();
+  // Open signups land in the default organization next to the server-configured boss account
+  const { app } = loadServer({ SIGNUP_MODE: 'open', USERS: 'boss:boss-password', LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url });
+  const request = await startApp(app);
+  const boss = (await request('POST', '/login', { username: 'boss', password: 'boss-password' })).body.token;
+
+  await t.test('a conversation is visible only to the account that started it', async () => {
+    const carol = await createAccount(request, 'carol');
+    const dave = await createAccount(request, 'dave');
+    const { conversation } = (await request('POST', '/api/conversations', { title: 'Private' }, carol.token)).body;
+    const path = `/api/conversations/${conversation.id}`;
+
+    // dave is in the same organization, and boss owns it
+    for (const token of [dave.token, boss]) {
+      assert.deepEqual((await request('GET', '/api/conversations', undefined, token)).body.conversations, []);
+      assert.equal((await request('GET', path, undefined, token)).status, 404);
+      assert.equal((await request('PUT', path, { title: 'Mine now' }, token)).status, 404);
+      assert.equal((await request('POST', '/chat', { prompt: 'Hi', conversationId: conversation.id }, token)).status, 404);
+      assert.equal((await request('DELETE', path, undefined, token)).status, 404);
+    }
+
+    const own = await request('GET', path, undefined, carol.token);
+    assert.equal(own.status, 200);
+    assert.equal(own.body.conversation.title, 'Private');
+    assert.deepEqual(own.body.conversation.messages, []);
+    assert.equal((await request('DELETE', path, undefined, carol.token)).status, 200);
+    assert.equal((await request('GET', path, undefined, carol.token)).status, 404);
+  });
+
+  await t.test('earlier turns are replayed to the model', async () => {
+    const erin = await createAccount(request, 'erin');
+    const { conversation } = (await request('POST', '/api/conversations', {}, erin.token)).body;
+    await request('POST', '/chat', { prompt: 'My name is Erin', conversationId: conversation.id }, erin.token);
+    await request('POST', '/chat', { prompt: 'What is my name?', conversationId: conversation.id }, erin.token);
+    assert.deepEqual(llm.requests.at(-1).messages.filter(m => m.role !== 'system').map(m => [m.role, m.content]), [
+      ['user', 'My name is Erin'],
+      ['assistant', 'Hello from the fake model'],
+      ['user', 'What is my name?']
+    ]);
+  });
+
+  await t.test('deleting an account removes its conversations but keeps the usage history', async () => {
+    const alice = await createAccount(request, 'alice');
+    const { conversation } = (await request('POST', '/api/conversations', { title: 'Bids' }, alice.token)).body;
+    assert.equal((await request('POST', '/chat', { prompt: 'Hi', conversationId: conversation.id }, alice.token)).status, 200);
+
+    const deleted = await request('POST', '/admin/delete-user', { username: 'alice' }, null, { 'X-Admin-Key': ADMIN_KEY });
+    assert.equal(deleted.status, 200);
+
+    const again = await createAccount(request, 'alice');
+    assert.deepEqual((await request('GET', '/api/conversations', undefined, again.token)).body.conversations, []);
+    assert.equal((await request('GET', `/api/conversations/${conversation.id}`, undefined, again.token)).status, 404);
+
+    const usage = await request('GET', '/api/usage?scope=org', undefined, boss);
+    assert.equal(usage.status, 200);
+    assert.equal(usage.body.byUser.alice.requests, 1);
+  });
+});
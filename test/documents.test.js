@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, createAccount, startFakeLlm, completion } = require('./helpers');
+
+// Smallest JPEG the logo reader accepts: SOI, then a 1x1 three-component SOF0 header, then EOI
+const TINY_JPEG = Buffer.from('ffd8ffc0001108000100010301110002110103110100ffd9', 'hex');
+
+test('document PDFs', async t => {
+  const llm = await startFakeLlm(() => ({ json: completion('Estimate text from the model') }));
+  const { app } = loadServer({ LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url });
+  const request = await startApp(app);
+  const alice = await createAccount(request, 'alice', { organization: 'Alice Roofing' });
+
+  // Page content streams are not compressed, so drawn text can be found in the bytes
+  async function download(url) {
+    const res = await fetch(request.baseUrl + url, { headers: { Authorization: `Bearer ${alice.token}` } });
+    const bytes = Buffer.from(await res.arrayBuffer());
+    return { status: res.status, headers: res.headers, pdf: bytes.toString('latin1') };
+  }
+
+  const invoice = (await request('POST', '/api/invoices', {
+    clientName: 'Bob Homeowner', invoiceNumber: 'INV-7',
+    lineItems: [{ description: 'Tear-off and re-roof', quantity: 1, unitPrice: 5000 }, { description: 'Gutters', quantity: 2, unitPrice: 200 }]
+  }, alice.token)).body.invoice;
+
+  await t.test('an invoice downloads as a branded PDF', async () => {
+    const { status, headers, pdf } = await download(`/api/documents/invoice/${invoice.id}.pdf`);
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'application/pdf');
+    assert.equal(headers.get('content-disposition'), 'attachment; filename="invoice-INV-7.pdf"');
+    assert.match(pdf, /^%PDF-1\.\d/);
+    assert.match(pdf, /%%EOF\s*$/);
+    for (const text of ['Alice Roofing', 'INVOICE', 'INV-7', 'Bob Homeowner', 'Tear-off and re-roof', '$5,400.00', 'Page 1 of 1']) {
+      assert.ok(pdf.includes(`(${text})`), `missing ${text}`);
+    }
+  });
+
+  await t.test('branding adds the logo, letterhead and footer', async () => {
+    const branding = await request('PUT', '/api/org/branding', {
+      logo: `data:image/jpeg;base64,${TINY_JPEG.toString('base64')}`,
+      phone: '555-0100', footer: 'Licensed and insured', accentColor: '#aa0000'
+    }, alice.token);
+    assert.equal(branding.status, 200);
+    const { pdf } = await download(`/api/documents/invoice/${invoice.id}.pdf`);
+    assert.match(pdf, /\/Subtype \/Image/);
+    assert.match(pdf, /\/Filter \/DCTDecode/);
+    assert.ok(pdf.includes('(555-0100)'));
+    assert.ok(pdf.includes('(Licensed and insured)'));
+    assert.ok(pdf.includes('0.667 0.000 0.000 rg'), 'title in the accent color');
+  });
+
+  await t.test('long estimates continue onto numbered pages with a running header', async () => {
+    const items = Array.from({ length: 60 }, (_, i) => ({ description: `Line ${i + 1}`, quantity: 1, unitPrice: 10 }));
+    const generated = await request('POST', '/generate-estimate', { clientName: 'Bob Homeowner', projectName: 'Re-roof', items }, alice.token);
+    assert.equal(generated.status, 200);
+    assert.equal(generated.body.pdfUrl, `/api/documents/estimate/${generated.body.documentId}.pdf`);
+
+    const { headers, pdf } = await download(generated.body.pdfUrl);
+    assert.equal(headers.get('content-disposition'), 'attachment; filename="estimate-EST-0001.pdf"');
+    const pages = Number(pdf.match(/\/Type \/Pages .*\/Count (\d+)/)[1]);
+    assert.ok(pages >= 2);
+    for (let i = 1; i <= pages; i++) assert.ok(pdf.includes(`(Page ${i} of ${pages})`));
+    assert.ok(pdf.includes('(Estimate EST-0001)'), 'running header on later pages');
+    assert.ok(pdf.includes('(Line 60)'));
+    assert.ok(pdf.includes('($600.00)'));
+  });
+
+  await t.test('unknown types and ids are refused', async () => {
+    assert.equal((await download(`/api/documents/receipt/${invoice.id}.pdf`)).status, 400);
+    assert.equal((await download('/api/documents/invoice/missing.pdf')).status, 404);
+    // An invoice id is not an estimate
+    assert.equal((await download(`/api/documents/estimate/${invoice.id}.pdf`)).status, 404);
+  });
+});
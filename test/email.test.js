@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, unusedPort, createAccount, startFakeLlm, completion } = require('./helpers');
+
+test('email templates and attachments', async t => {
+  const llm = await startFakeLlm(() => ({ json: completion('Weekly numbers look fine') }));
+  // boss is in the default organization, the one the SMTP_* settings serve. Every
+  // delivery is refused, so each message stays in the outbox to be read back.
+  const { app } = loadServer({
+    USERS: 'boss:boss-password', LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url,
+    SMTP_HOST: '127.0.0.1', SMTP_PORT: String(await unusedPort()), SMTP_USER: 'mailer', SMTP_PASS: 'mailer-password'
+  });
+  const request = await startApp(app);
+  const boss = (await request('POST', '/login', { username: 'boss', password: 'boss-password' })).body.token;
+  const sendEmail = body => request('POST', '/send-email', { to: 'client@example.com', ...body }, boss);
+  const outboxMessage = async id => (await request('GET', `/api/outbox/${id}`, undefined, boss)).body.message;
+
+  await t.test('an organization override changes the mail it sends, and only its own', async () => {
+    const saved = await request('PUT', '/api/email-templates/message', { subject: '[Boss Co] {{subject}}', text: '{{body}}\n\n-- {{sender}}' }, boss);
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.template.customized, true);
+
+    const sent = await sendEmail({ subject: 'Schedule', body: 'See you Monday' });
+    assert.equal(sent.status, 200);
+    const message = await outboxMessage(sent.body.outboxId);
+    assert.equal(message.subject, '[Boss Co] Schedule');
+    assert.equal(message.text, 'See you Monday\n\n-- boss');
+    assert.equal(message.template, 'message');
+
+    const alice = await createAccount(request, 'alice');
+    const theirs = (await request('GET', '/api/email-templates', undefined, alice.token)).body.templates.find(x => x.name === 'message');
+    assert.equal(theirs.customized, false);
+    assert.equal(theirs.subject, '{{subject}}');
+  });
+
+  await t.test('resetting an override goes back to the built-in template', async () => {
+    const reset = await request('DELETE', '/api/email-templates/message', undefined, boss);
+    assert.equal(reset.body.template.customized, false);
+    const sent = await sendEmail({ subject: 'Schedule', body: 'See you Monday' });
+    const message = await outboxMessage(sent.body.outboxId);
+    assert.equal(message.subject, 'Schedule');
+    assert.equal(message.text, 'See you Monday');
+  });
+
+  await t.test('the preview renders unsaved edits in the branded layout, escaping the text', async () => {
+    const preview = await request('POST', '/api/email-templates/password_reset/preview', {
+      text: 'Hi {{username}} <b>now</b>,\n\nReset here: {{link}}', vars: { username: 'Pat', link: 'https://example.com/?reset=x' }
+    }, boss);
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.subject, 'Reset your password');
+    assert.equal(preview.body.text, 'Hi Pat <b>now</b>,\n\nReset here: https://example.com/?reset=x');
+    assert.match(preview.body.html, /^<!DOCTYPE html>/);
+    assert.ok(preview.body.html.includes('Hi Pat &lt;b&gt;now&lt;/b&gt;,'));
+    assert.ok(preview.body.html.includes('href="https://example.com/?reset=x"'));
+  });
+
+  await t.test('unknown templates and oversized overrides are refused', async () => {
+    assert.equal((await request('PUT', '/api/email-templates/nope', { text: 'x' }, boss)).status, 404);
+    assert.equal((await request('POST', '/api/email-templates/nope/preview', {}, boss)).status, 404);
+    assert.equal((await request('PUT', '/api/email-templates/message', { subject: 'x'.repeat(301) }, boss)).status, 400);
+  });
+
+  await t.test('documents, reports and uploaded files go out as attachments', async () => {
+    const invoice = (await request('POST', '/api/invoices', {
+      clientName: 'Client Co', invoiceNumber: 'INV-1', lineItems: [{ description: 'Roof', quantity: 1, unitPrice: 100 }]
+    }, boss)).body.invoice;
+    const sent = await sendEmail({
+      subject: 'Paperwork', body: 'Attached.',
+      attachments: [
+        { document: { type: 'invoice', id: invoice.id } },
+        { report: 'ar_aging', format: 'csv' },
+        { filename: 'notes.txt', content: Buffer.from('hello').toString('base64'), contentType: 'text/plain' }
+      ]
+    });
+    assert.equal(sent.status, 200);
+    const today = new Date().toISOString().slice(0, 10);
+    assert.deepEqual(sent.body.attachments, ['invoice-INV-1.pdf', `ar-aging-${today}.csv`, 'notes.txt']);
+    const { attachments } = await outboxMessage(sent.body.outboxId);
+    assert.deepEqual(attachments.map(a => [a.filename, a.contentType]), [
+      ['invoice-INV-1.pdf', 'application/pdf'],
+      [`ar-aging-${today}.csv`, 'text/csv; charset=utf-8'],
+      ['notes.txt', 'text/plain']
+    ]);
+    assert.equal(attachments[2].size, 5);
+    assert.ok(attachments[0].size > 1000);
+  });
+
+  await t.test('bad attachments are refused before anything is queued', async () => {
+    const before = (await request('GET', '/api/outbox', undefined, boss)).body.messages.length;
+    const cases = [
+      [[{ filename: 'a.txt', content: 'not base64!' }], /must be base64/],
+      [[{ document: { type: 'receipt', id: 'x' } }], /document\.type must be one of/],
+      [[{ document: { type: 'invoice', id: 'missing' } }], /Attachment not found/],
+      [[{ report: 'ar_aging', format: 'xlsx' }], /format must be pdf or csv/],
+      ['notes.txt', /must be an array/]
+    ];
+    for (const [attachments, error] of cases) {
+      const res = await sendEmail({ subject: 'x', body: 'x', attachments });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, error);
+    }
+    assert.equal((await request('GET', '/api/outbox', undefined, boss)).body.messages.length, before);
+  });
+
+  await t.test('custom automations email their result with the saved attachments', async () => {
+    const created = await request('POST', '/api/custom-automations', {
+      name: 'Weekly report', prompt: 'Summarize the week', action: 'email', emailTo: 'owner@example.com', emailSubject: 'Weekly',
+      emailAttachments: [{ report: 'ar_aging' }, { filename: 'terms.txt', content: Buffer.from('Net 30').toString('base64') }]
+    }, boss);
+    assert.equal(created.status, 200);
+    const run = await request('POST', `/api/custom-automations/${created.body.automation.id}/run`, undefined, boss);
+    assert.equal(run.status, 200);
+    assert.match(run.body.actionResult, /owner@example\.com with 2 attachment\(s\)/);
+
+    const { messages } = (await request('GET', '/api/outbox', undefined, boss)).body;
+    const message = await outboxMessage(messages.find(m => m.to === 'owner@example.com').id);
+    assert.equal(message.template, 'automation_report');
+    assert.equal(message.text, 'Weekly numbers look fine');
+    assert.deepEqual(message.attachments.map(a => a.contentType), ['application/pdf', 'application/octet-stream']);
+
+    const tooBig = Buffer.alloc(1024 * 1024 + 1).toString('base64');
+    const refused = await request('POST', '/api/custom-automations', {
+      name: 'Too big', prompt: 'x', action: 'email', emailAttachments: [{ filename: 'big.bin', content: tooBig }]
+    }, boss);
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.error, /under 1024 KB/);
+  });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp } = require('./helpers');
+const { version } = require('../package.json');
+
+// Nothing listens on port 9, so the only provider in the chain is unreachable
+const { app } = loadServer({ LLM_PROVIDER: 'local', LOCAL_LLM_URL: 'http://127.0.0.1:9/v1' });
+
+test('health endpoints', async t => {
+  const request = await startApp(app);
+
+  await t.test('report the package version', async () => {
+    assert.equal((await request('GET', '/health')).body.version, version);
+    assert.equal((await request('GET', '/health/ready')).body.version, version);
+  });
+
+  await t.test('an unreachable LLM vendor degrades readiness without failing it', async () => {
+    const { body } = await request('GET', '/health/ready');
+    assert.equal(body.checks.llm.status, 'degraded');
+    assert.equal(body.checks.llm.critical, false);
+    assert.equal(body.checks.dataDir.status, 'ok');
+    assert.equal(body.checks.stores.status, 'ok');
+  });
+});
@@ -0,0 +1,146 @@
+// Shared setup for the node --test suites in this directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { after } = require('node:test');
+
+// The master key (API_KEY), sent as X-Admin-Key for deployment-wide admin calls
+const ADMIN_KEY = 'test-admin-key';
+
+/**
+ * Requires server.js against a throwaway DATA_DIR (JSON storage, no backups, quiet logs,
+ * no hosted LLM keys) without opening a port. `env` is applied first, so it can set
+ * anything loadConfig reads; `files` ({ 'tasks.json': [...] }) are written into the data
+ * directory as stored by an earlier run. The scheduled jobs are stopped and the directory removed when the file's
+ * tests finish.
+ */
+function loadServer(env = {}, files = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  for (const [name, value] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dataDir, name), JSON.stringify(value));
+  }
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    STORAGE_BACKEND: 'json',
+    BACKUP_CRON: 'off',
+    LOG_LEVEL: 'ERROR',
+    API_KEY: ADMIN_KEY,
+    // Keys from the shell running the tests must not send fallbacks to a real provider
+    GROQ_API_KEY: '', OPENAI_API_KEY: '', ANTHROPIC_API_KEY: '', GEMINI_API_KEY: ''
+  }, env);
+  const server = require('../server');
+  after(() => {
+    server.stopScheduledJobs();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  return { ...server, dataDir };
+}
+
+function listen(server) {
+  return new Promise(resolve => {
+    const s = server.listen(0, '127.0.0.1', () => resolve(s));
+  });
+}
+
+// A port nothing is listening on (briefly bound, then released)
+async function unusedPort() {
+  const listener = await listen(http.createServer());
+  const { port } = listener.address();
+  await new Promise(resolve => listener.close(resolve));
+  return port;
+}
+
+function closeAfter(listener) {
+  after(() => {
+    listener.closeAllConnections();
+    listener.close();
+  });
+}
+
+/**
+ * Listens on an ephemeral port; returns request(method, path, body, token, headers)
+ * resolving to { status, headers, body }.
+ */
+async function startApp(app) {
+  const listener = await listen(app);
+  closeAfter(listener);
+  return client(`http://127.0.0.1:${listener.address().port}`);
+}
+
+// The request() startApp returns, for a server already listening at `base`
+function client(base) {
+  async function request(method, urlPath, body, token, extraHeaders = {}) {
+    const headers = { ...extraHeaders };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(base + urlPath, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch (e) { /* not JSON */ }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+  request.baseUrl = base;
+  return request;
+}
+
+// Each account signs up and logs in from its own address so the per-IP
+// signup and login limiters only trip in the tests that aim for them
+let nextClientIp = 1;
+
+/**
+ * Signs up and logs in a file account. `fields` goes into the signup body
+ * (email, organization, invite).
+ * @returns {Promise<{username: string, token: string, refreshToken: string, role: string}>}
+ */
+async function createAccount(request, username, fields = {}) {
+  const headers = { 'X-Forwarded-For': `198.51.100.${nextClientIp++}` };
+  const password = `${username}-password`;
+  const signup = await request('POST', '/signup', { username, password, ...fields }, null, headers);
+  if (signup.status !== 200) throw new Error(`signup ${username}: ${signup.status} ${JSON.stringify(signup.body)}`);
+  const login = await request('POST', '/login', { username, password }, null, headers);
+  if (login.status !== 200) throw new Error(`login ${username}: ${login.status} ${JSON.stringify(login.body)}`);
+  return { username, password, token: login.body.token, refreshToken: login.body.refreshToken, role: login.body.role };
+}
+
+// Invites `username` into the inviter's organization with `role`, then signs them up and in
+async function inviteAccount(request, inviter, username, role) {
+  const invite = await request('POST', '/api/org/invites', { role }, inviter.token);
+  if (invite.status !== 200) throw new Error(`invite ${username}: ${invite.status} ${JSON.stringify(invite.body)}`);
+  return createAccount(request, username, { invite: new URL(invite.body.link).searchParams.get('invite') });
+}
+
+/**
+ * An OpenAI-compatible /chat/completions endpoint. `reply(body, req, res)` returns
+ * { status, json } or { stream: [chunks] }, or writes to `res` itself and returns null.
+ * Every request body is kept in `requests`.
+ */
+async function startFakeLlm(reply = () => ({ json: completion('Hello from the fake model') })) {
+  const requests = [];
+  const listener = await listen(http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : {};
+      requests.push(body);
+      const answer = await reply(body, req, res);
+      if (!answer) return;
+      if (answer.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const chunk of answer.stream) res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        return res.end('data: [DONE]\n\n');
+      }
+      res.writeHead(answer.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(answer.json || {}));
+    });
+  }));
+  closeAfter(listener);
+  return { url: `http://127.0.0.1:${listener.address().port}/v1`, requests };
+}
+
+// A non-streamed completion body
+function completion(text, usage = { prompt_tokens: 11, completion_tokens: 7 }) {
+  return { choices: [{ message: { role: 'assistant', content: text } }], usage };
+}
+
+module.exports = { ADMIN_KEY, loadServer, startApp, client, unusedPort, createAccount, inviteAccount, startFakeLlm, completion };
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { computeInvoice } = loadServer();
+
+const NOW = new Date('2026-03-15T12:00:00Z').getTime();
+
+function invoice(overrides = {}) {
+  return {
+    lineItems: [
+      { description: 'Framing', quantity: 3, unitPrice: 1250.5 },
+      { description: 'Nails', quantity: 7, unitPrice: 0.333 }
+    ],
+    taxLines: [],
+    retainage: { rate: 0, released: false },
+    payments: [],
+    draft: false,
+    dueDate: '2026-04-01',
+    ...overrides
+  };
+}
+
+test('line amounts, subtotal and total are rounded to cents', () => {
+  const inv = computeInvoice(invoice(), NOW);
+  assert.deepEqual(inv.lineItems.map(l => l.amount), [3751.5, 2.33]);
+  assert.equal(inv.subtotal, 3753.83);
+  assert.equal(inv.taxTotal, 0);
+  assert.equal(inv.total, 3753.83);
+  assert.equal(inv.amount, inv.total);
+});
+
+test('percentage tax applies to the subtotal; a null rate is a fixed amount', () => {
+  const inv = computeInvoice(invoice({
+    lineItems: [{ quantity: 1, unitPrice: 1000 }],
+    taxLines: [{ name: 'State', rate: 6.25 }, { name: 'Permit fee', rate: null, amount: 40 }]
+  }), NOW);
+  assert.deepEqual(inv.taxLines.map(t => t.amount), [62.5, 40]);
+  assert.equal(inv.taxTotal, 102.5);
+  assert.equal(inv.total, 1102.5);
+});
+
+test('retainage is withheld from the amount due until released', () => {
+  const held = computeInvoice(invoice({
+    lineItems: [{ quantity: 1, unitPrice: 10000 }],
+    taxLines: [{ name: 'Tax', rate: 10 }],
+    retainage: { rate: 10, released: false },
+    payments: [{ amount: 5000, date: '2026-03-01' }]
+  }), NOW);
+  // Retainage is a percent of the subtotal, not of the taxed total
+  assert.equal(held.retainageHeld, 1000);
+  assert.equal(held.amountPaid, 5000);
+  assert.equal(held.balance, 6000);
+  assert.equal(held.amountDue, 5000);
+
+  held.retainage.released = true;
+  computeInvoice(held, NOW);
+  assert.equal(held.retainageHeld, 0);
+  assert.equal(held.amountDue, 6000);
+});
+
+test('amount due never goes negative', () => {
+  const inv = computeInvoice(invoice({
+    lineItems: [{ quantity: 1, unitPrice: 1000 }],
+    retainage: { rate: 20, released: false },
+    payments: [{ amount: 900, date: '2026-03-01' }]
+  }), NOW);
+  assert.equal(inv.balance, 100);
+  assert.equal(inv.amountDue, 0);
+});
+
+test('status follows the balance and the due date', async t => {
+  await t.test('draft wins over everything', () => {
+    assert.equal(computeInvoice(invoice({ draft: true, dueDate: '2026-01-01' }), NOW).status, 'draft');
+  });
+
+  await t.test('pending before the due date', () => {
+    assert.equal(computeInvoice(invoice(), NOW).status, 'pending');
+  });
+
+  await t.test('overdue after the due date while something is due', () => {
+    assert.equal(computeInvoice(invoice({ dueDate: '2026-03-01' }), NOW).status, 'overdue');
+  });
+
+  await t.test('not overdue when only retainage is outstanding', () => {
+    const inv = computeInvoice(invoice({
+      lineItems: [{ quantity: 1, unitPrice: 1000 }],
+      retainage: { rate: 10, released: false },
+      payments: [{ amount: 900, date: '2026-02-01' }],
+      dueDate: '2026-03-01'
+    }), NOW);
+    assert.equal(inv.status, 'pending');
+  });
+
+  await t.test('paid once the balance reaches zero, even past due', () => {
+    const inv = invoice({ lineItems: [{ quantity: 2, unitPrice: 50 }], dueDate: '2026-03-01' });
+    inv.payments = [{ amount: 60, date: '2026-03-02' }, { amount: 40, date: '2026-03-10' }];
+    const computed = computeInvoice(inv, NOW);
+    assert.equal(computed.balance, 0);
+    assert.equal(computed.status, 'paid');
+  });
+
+  await t.test('an empty invoice is never paid', () => {
+    assert.equal(computeInvoice(invoice({ lineItems: [] }), NOW).status, 'pending');
+  });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, createAccount, startFakeLlm, completion } = require('./helpers');
+
+test('provider fallback', async t => {
+  // Each fake answers through a handler the subtests swap out
+  const answers = { openai: null, local: null };
+  const openai = await startFakeLlm(body => answers.openai(body));
+  const local = await startFakeLlm(body => answers.local(body));
+  const { app } = loadServer({
+    LLM_PROVIDER: 'openai', LLM_FALLBACK_PROVIDERS: 'local', DEFAULT_PLAN: 'team',
+    OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: openai.url, OPENAI_MODELS: 'gpt-first,gpt-second',
+    LOCAL_LLM_URL: local.url, LOCAL_LLM_MODELS: 'local-only'
+  });
+  const request = await startApp(app);
+  const alice = await createAccount(request, 'alice');
+
+  const fail = status => () => ({ status, json: { error: { message: `upstream ${status}` } } });
+  const answer = text => () => ({ json: completion(text) });
+  // Models asked, in order, across both fakes
+  function reset() {
+    openai.requests.length = 0;
+    local.requests.length = 0;
+  }
+  const asked = () => [...openai.requests, ...local.requests].map(b => b.model);
+  const chat = (who = alice) => request('POST', '/chat', { prompt: 'Which provider?' }, who.token);
+
+  await t.test('LLM_PROVIDER answers with its first model when it can', async () => {
+    reset();
+    answers.openai = answer('from openai');
+    answers.local = answer('from local');
+    const res = await chat();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.response, 'from openai');
+    assert.deepEqual(asked(), ['gpt-first']);
+  });
+
+  await t.test("a failing model falls through to the provider's next model", async () => {
+    reset();
+    answers.openai = body => body.model === 'gpt-first' ? fail(500)() : answer('second model')();
+    const res = await chat();
+    assert.equal(res.body.response, 'second model');
+    assert.deepEqual(asked(), ['gpt-first', 'gpt-second']);
+  });
+
+  await t.test('LLM_FALLBACK_PROVIDERS answer once every model of the primary failed', async () => {
+    reset();
+    answers.openai = fail(500);
+    answers.local = answer('from local');
+    const res = await chat();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.response, 'from local');
+    assert.deepEqual(openai.requests.map(b => b.model), ['gpt-first', 'gpt-second']);
+    assert.deepEqual(local.requests.map(b => b.model), ['local-only']);
+  });
+
+  await t.test("a user's preferred provider goes before LLM_PROVIDER", async () => {
+    reset();
+    answers.openai = answer('from openai');
+    answers.local = answer('from local');
+    const bob = await createAccount(request, 'bob');
+    assert.equal((await request('POST', '/api/llm-provider', { provider: 'local' }, bob.token)).status, 200);
+    assert.equal((await chat(bob)).body.response, 'from local');
+    assert.equal((await chat()).body.response, 'from openai');
+  });
+
+  await t.test('rate limits on every model end in a 503', async () => {
+    reset();
+    answers.openai = fail(429);
+    answers.local = fail(429);
+    const res = await chat();
+    assert.equal(res.status, 503);
+    assert.match(res.body.error, /rate limit/i);
+    assert.deepEqual(asked(), ['gpt-first', 'gpt-second', 'local-only']);
+  });
+});
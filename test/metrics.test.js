@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startApp, createAccount, startFakeLlm, completion } = require('./helpers');
+
+// The value of one sample line, e.g. sample(text, 'http_requests_total{method="GET",...}'), or undefined
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(series + ' '));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('metrics', async t => {
+  // The first model always fails, so every answer comes from the second one
+  const llm = await startFakeLlm(body => body.model === 'broken'
+    ? { status: 500, json: { error: { message: 'down' } } }
+    : { json: completion('ok') });
+  const { app } = loadServer({
+    METRICS_TOKEN: 'scrape-token', TASK_CONCURRENCY: '3',
+    LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url, LOCAL_LLM_MODELS: 'broken,working'
+  });
+  const request = await startApp(app);
+  const alice = await createAccount(request, 'alice');
+  const scrape = async () => (await request('GET', '/metrics', undefined, 'scrape-token')).body;
+
+  await t.test('needs the metrics token or the admin key, not a session', async () => {
+    const anonymous = await request('GET', '/metrics');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await request('GET', '/metrics', undefined, alice.token)).status, 401);
+    assert.equal((await request('GET', '/metrics', undefined, 'wrong-token')).status, 401);
+
+    const byToken = await request('GET', '/metrics', undefined, 'scrape-token');
+    assert.equal(byToken.status, 200);
+    assert.match(byToken.headers.get('content-type'), /^text\/plain;/);
+    assert.match(byToken.headers.get('content-type'), /version=0\.0\.4/);
+    assert.equal((await request('GET', '/metrics', undefined, null, { 'X-Admin-Key': ADMIN_KEY })).status, 200);
+  });
+
+  await t.test('every metric has HELP and TYPE lines', async () => {
+    const text = await scrape();
+    for (const [name, type] of [
+      ['http_requests_total', 'counter'], ['http_request_duration_seconds', 'histogram'],
+      ['llm_model_requests_total', 'counter'], ['process_resident_memory_bytes', 'gauge'], ['tasks_queue_depth', 'gauge']
+    ]) {
+      assert.match(text, new RegExp(`^# HELP ${name} .+$`, 'm'));
+      assert.match(text, new RegExp(`^# TYPE ${name} ${type}$`, 'm'));
+    }
+    assert.equal(sample(text, 'tasks_worker_capacity'), 3);
+    assert.ok(sample(text, 'process_resident_memory_bytes') > 0);
+  });
+
+  await t.test('HTTP requests are counted by route template, not raw path', async () => {
+    for (const id of ['a1', 'b2']) await request('GET', `/api/conversations/${id}`, undefined, alice.token);
+    const text = await scrape();
+    assert.equal(sample(text, 'http_requests_total{method="GET",route="/api/conversations/:id",status="404"}'), 2);
+    assert.ok(!text.includes('/api/conversations/a1'));
+  });
+
+  await t.test('histogram buckets are cumulative and end in +Inf = _count', async () => {
+    const text = await scrape();
+    const series = '{method="GET",route="/api/conversations/:id"}';
+    const buckets = text.split('\n')
+      .filter(l => l.startsWith('http_request_duration_seconds_bucket{method="GET",route="/api/conversations/:id",'))
+      .map(l => Number(l.split(' ')[1]));
+    assert.equal(buckets.length, 13);
+    assert.deepEqual(buckets, [...buckets].sort((a, b) => a - b));
+    assert.match(text, /http_request_duration_seconds_bucket\{method="GET",route="\/api\/conversations\/:id",le="\+Inf"\} 2/);
+    assert.equal(sample(text, `http_request_duration_seconds_count${series}`), 2);
+    assert.ok(sample(text, `http_request_duration_seconds_sum${series}`) > 0);
+  });
+
+  await t.test('model attempts, fallbacks and call latency are recorded', async () => {
+    assert.equal((await request('POST', '/chat', { prompt: 'Hi' }, alice.token)).status, 200);
+    const text = await scrape();
+    assert.equal(sample(text, 'llm_model_requests_total{provider="local",model="broken",result="error"}'), 1);
+    assert.equal(sample(text, 'llm_model_requests_total{provider="local",model="working",result="success"}'), 1);
+    assert.equal(sample(text, 'llm_fallback_responses_total{provider="local",model="working"}'), 1);
+    assert.equal(sample(text, 'llm_call_duration_seconds_count{route="chat",outcome="success"}'), 1);
+  });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+// Left mid-delivery by an earlier run
+const interrupted = {
+  id: 'mail-1', orgId: 'default', to: 'client@example.com', subject: 'Statement', text: 'Hi', html: null, attachments: [],
+  status: 'sending', attempts: 1, maxAttempts: 3, nextAttemptAt: null, lastError: null, createdAt: 1, updatedAt: 1
+};
+
+// No SMTP settings, so every delivery fails with the temporary "not configured" error
+const { isPermanentMailError, outboxRetryDelay, enqueueMail, deliverOutboxMessage, getOutboxMessage, OutboxStatus, dataDir } =
+  loadServer({ EMAIL_MAX_ATTEMPTS: '3', EMAIL_RETRY_BASE_SECONDS: '60' }, { 'outbox.json': [interrupted] });
+
+test('requiring the module leaves interrupted mail for startServer to resume', async () => {
+  // resumeOutbox would re-queue it and pumpOutbox would attempt it 2 s later
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  assert.equal(getOutboxMessage('mail-1').status, 'sending');
+  assert.equal(getOutboxMessage('mail-1').attempts, 1);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dataDir, 'outbox.json'), 'utf8'))[0].status, 'sending');
+});
+
+const mailError = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+test('isPermanentMailError', async t => {
+  await t.test('5xx replies are permanent', () => {
+    assert.equal(isPermanentMailError(mailError('550 No such user', { responseCode: 550 })), true);
+    assert.equal(isPermanentMailError(mailError('554 Rejected', { code: 'EMESSAGE', responseCode: 554 })), true);
+  });
+
+  await t.test('4xx replies, timeouts and connection errors are temporary', () => {
+    assert.equal(isPermanentMailError(mailError('451 Try again later', { responseCode: 451 })), false);
+    assert.equal(isPermanentMailError(mailError('Greeting never received', { code: 'ETIMEDOUT' })), false);
+    assert.equal(isPermanentMailError(mailError('connect ECONNREFUSED', { code: 'ECONNECTION' })), false);
+  });
+
+  await t.test('bad credentials and missing configuration can be fixed, so they are retried', () => {
+    assert.equal(isPermanentMailError(mailError('535 Authentication failed', { code: 'EAUTH', responseCode: 535 })), false);
+    assert.equal(isPermanentMailError(mailError('EMAIL_NOT_CONFIGURED')), false);
+  });
+
+  await t.test('messages refused before reaching the server are permanent', () => {
+    assert.equal(isPermanentMailError(mailError('No recipients defined', { code: 'EENVELOPE' })), true);
+    assert.equal(isPermanentMailError(mailError('Invalid message', { code: 'EMESSAGE' })), true);
+  });
+});
+
+test('outboxRetryDelay doubles from the base and caps at an hour', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(outboxRetryDelay), [60e3, 120e3, 240e3, 480e3, 960e3, 1920e3]);
+  assert.equal(outboxRetryDelay(7), 3600e3);
+  assert.equal(outboxRetryDelay(20), 3600e3);
+});
+
+test('temporary failures back off, then dead-letter after maxAttempts', async () => {
+  const entry = enqueueMail({ orgId: 'default', to: 'client@example.com', subject: 'Invoice', text: 'Hi', html: '<p>Hi</p>' });
+  assert.equal(entry.status, OutboxStatus.QUEUED);
+  assert.equal(entry.maxAttempts, 3);
+
+  for (const attempt of [1, 2]) {
+    const before = Date.now();
+    await deliverOutboxMessage(entry.id);
+    const message = getOutboxMessage(entry.id);
+    assert.equal(message.status, OutboxStatus.QUEUED);
+    assert.equal(message.attempts, attempt);
+    assert.equal(message.lastError, 'Email is not configured');
+    assert.ok(message.nextAttemptAt >= before + outboxRetryDelay(attempt));
+    assert.ok(message.nextAttemptAt <= Date.now() + outboxRetryDelay(attempt));
+  }
+
+  await deliverOutboxMessage(entry.id);
+  const dead = getOutboxMessage(entry.id);
+  assert.equal(dead.status, OutboxStatus.DEAD);
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.nextAttemptAt, null);
+  // Dead messages keep their content so they can be retried from the Outbox
+  assert.equal(dead.html, '<p>Hi</p>');
+
+  await deliverOutboxMessage(entry.id);
+  assert.equal(getOutboxMessage(entry.id).attempts, 3);
+});
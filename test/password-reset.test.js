@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, unusedPort, createAccount } = require('./helpers');
+
+test('password reset', async t => {
+  // Every delivery is refused, so each message stays in the outbox to be read back
+  const { app } = loadServer({
+    SIGNUP_MODE: 'open', USERS: 'boss:boss-password',
+    SMTP_HOST: '127.0.0.1', SMTP_PORT: String(await unusedPort()), SMTP_USER: 'mailer', SMTP_PASS: 'mailer-password'
+  });
+  const request = await startApp(app);
+  const boss = (await request('POST', '/login', { username: 'boss', password: 'boss-password' })).body.token;
+
+  // The ?<param>= token of the newest message sent to `to` with `template`, or null
+  async function mailedToken(to, template, param) {
+    const { messages } = (await request('GET', '/api/outbox', undefined, boss)).body;
+    const summary = messages.find(m => m.to === to && m.template === template);
+    if (!summary) return null;
+    const { message } = (await request('GET', `/api/outbox/${summary.id}`, undefined, boss)).body;
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get(param);
+  }
+
+  // Each request from its own address, clear of the 5-per-hour link limiter
+  let nextIp = 1;
+  const requestReset = username =>
+    request('POST', '/password-reset/request', { username }, null, { 'X-Forwarded-For': `203.0.113.${nextIp++}` });
+  const confirm = (token, password) => request('POST', '/password-reset/confirm', { token, password });
+
+  const alice = await createAccount(request, 'alice', { email: 'alice@example.com' });
+
+  await t.test('an unconfirmed address gets no reset link, by username or by email', async () => {
+    for (const identifier of ['alice', 'alice@example.com']) {
+      const res = await requestReset(identifier);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+    }
+    assert.equal(await mailedToken('alice@example.com', 'password_reset', 'reset'), null);
+  });
+
+  await t.test('once confirmed, the address receives a link that works exactly once', async () => {
+    const verifyToken = await mailedToken('alice@example.com', 'verify_email', 'verify');
+    assert.equal((await request('POST', '/verify-email', { token: verifyToken })).status, 200);
+
+    await requestReset('alice@example.com');
+    const token = await mailedToken('alice@example.com', 'password_reset', 'reset');
+    assert.ok(token);
+
+    const used = await confirm(token, 'new-alice-password');
+    assert.equal(used.status, 200);
+    assert.equal(used.body.username, 'alice');
+    assert.equal((await request('POST', '/login', { username: 'alice', password: alice.password })).status, 401);
+    assert.equal((await request('POST', '/login', { username: 'alice', password: 'new-alice-password' })).status, 200);
+    // Existing sessions end with the old password
+    assert.equal((await request('GET', '/api/conversations', undefined, alice.token)).status, 401);
+
+    const replayed = await confirm(token, 'another-password');
+    assert.equal(replayed.status, 400);
+    assert.match(replayed.body.error, /invalid, expired or already used/);
+  });
+
+  await t.test('requesting a new link invalidates the previous one', async () => {
+    await requestReset('alice');
+    const first = await mailedToken('alice@example.com', 'password_reset', 'reset');
+    await new Promise(resolve => setTimeout(resolve, 5)); // newest-first ordering needs distinct timestamps
+    await requestReset('alice');
+    const second = await mailedToken('alice@example.com', 'password_reset', 'reset');
+    assert.notEqual(first, second);
+    assert.equal((await confirm(first, 'first-link-password')).status, 400);
+    assert.equal((await confirm(second, 'second-link-password')).status, 200);
+  });
+
+  await t.test('links expire after an hour', async t => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await requestReset('alice');
+    const token = await mailedToken('alice@example.com', 'password_reset', 'reset');
+    const issuedAt = Date.now();
+    t.mock.method(Date, 'now', () => issuedAt + 60 * 60 * 1000 + 1000);
+    assert.equal((await confirm(token, 'too-late-password')).status, 400);
+    t.mock.restoreAll();
+    assert.equal((await confirm(token, 'in-time-password')).status, 200);
+  });
+});
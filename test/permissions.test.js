@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, createAccount, inviteAccount, startFakeLlm } = require('./helpers');
+
+test('roles and organizations', async t => {
+  const llm = await startFakeLlm();
+  const { app, enqueueMail } = loadServer({ LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url });
+  const request = await startApp(app);
+
+  // Each signup gets its own organization as owner
+  const anna = await createAccount(request, 'anna', { organization: 'Anna Builders' });
+  const ben = await createAccount(request, 'ben', { organization: 'Ben Roofing' });
+  const adam = await inviteAccount(request, anna, 'adam', 'admin');
+  const fred = await inviteAccount(request, anna, 'fred', 'field');
+  const rita = await inviteAccount(request, anna, 'rita', 'read-only');
+
+  await t.test('members without users:manage cannot reach admin routes', async () => {
+    for (const member of [fred, rita]) {
+      assert.equal((await request('GET', '/admin/users', undefined, member.token)).status, 403);
+      assert.equal((await request('GET', '/admin/pending', undefined, member.token)).status, 403);
+      assert.equal((await request('GET', '/admin/audit', undefined, member.token)).status, 403);
+      assert.equal((await request('POST', '/admin/users/fred/role', { role: 'owner' }, member.token)).status, 403);
+      assert.equal((await request('POST', '/admin/delete-user', { username: 'adam' }, member.token)).status, 403);
+      assert.equal((await request('POST', '/api/org/invites', { role: 'owner' }, member.token)).status, 403);
+      assert.equal((await request('PUT', '/api/org', { name: 'Mine now' }, member.token)).status, 403);
+      assert.equal((await request('GET', '/api/outbox', undefined, member.token)).status, 403);
+    }
+    const me = await request('GET', '/api/me', undefined, fred.token);
+    assert.equal(me.body.role, 'field');
+  });
+
+  await t.test('each role only gets its own permissions', async () => {
+    const invoice = { clientName: 'Acme', invoiceNumber: 'A-1', lineItems: [{ description: 'Work', quantity: 1, unitPrice: 100 }] };
+    assert.equal((await request('GET', '/api/invoices', undefined, fred.token)).status, 200);
+    const denied = await request('POST', '/api/invoices', invoice, fred.token);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.permission, 'invoices:write');
+    assert.equal((await request('POST', '/chat', { prompt: 'Hi' }, rita.token)).status, 403);
+    assert.equal((await request('POST', '/chat', { prompt: 'Hi' }, fred.token)).status, 200);
+  });
+
+  await t.test('admins cannot touch owners or hand out privileged roles', async () => {
+    assert.equal((await request('GET', '/admin/users', undefined, adam.token)).status, 200);
+    assert.equal((await request('POST', '/admin/users/anna/role', { role: 'field' }, adam.token)).status, 403);
+    assert.equal((await request('POST', '/admin/users/fred/role', { role: 'owner' }, adam.token)).status, 403);
+    assert.equal((await request('POST', '/admin/delete-user', { username: 'anna' }, adam.token)).status, 403);
+    assert.equal((await request('POST', '/admin/users/fred/role', { role: 'office' }, adam.token)).status, 200);
+  });
+
+  await t.test('admin routes only see the admin\'s own organization', async () => {
+    const users = (await request('GET', '/admin/users', undefined, anna.token)).body.users.map(u => u.username).sort();
+    assert.deepEqual(users, ['adam', 'anna', 'fred', 'rita']);
+    assert.equal((await request('POST', '/admin/users/ben/role', { role: 'field' }, anna.token)).status, 404);
+    assert.equal((await request('POST', '/admin/delete-user', { username: 'ben' }, anna.token)).status, 404);
+  });
+
+  await t.test('an organization cannot read another organization\'s invoices', async () => {
+    const created = await request('POST', '/api/invoices', {
+      clientName: 'Ben Client', invoiceNumber: 'B-1', lineItems: [{ description: 'Roof', quantity: 1, unitPrice: 5000 }]
+    }, ben.token);
+    const id = created.body.invoice.id;
+
+    assert.deepEqual((await request('GET', '/api/invoices', undefined, anna.token)).body.invoices, []);
+    assert.equal((await request('GET', `/api/invoices/${id}`, undefined, anna.token)).status, 404);
+    assert.equal((await request('GET', `/api/invoices/${id}/payments`, undefined, anna.token)).status, 404);
+    assert.equal((await request('POST', `/api/invoices/${id}/payments`, { amount: 1 }, anna.token)).status, 404);
+    assert.equal((await request('POST', '/api/invoices', { id, clientName: 'Hijacked' }, anna.token)).status, 404);
+    assert.equal((await request('DELETE', `/api/invoices/${id}`, undefined, anna.token)).status, 404);
+    assert.equal((await request('GET', `/api/documents/invoice/${id}.pdf`, undefined, anna.token)).status, 404);
+
+    assert.equal((await request('GET', `/api/invoices/${id}`, undefined, ben.token)).body.invoice.clientName, 'Ben Client');
+    assert.equal((await request('GET', `/api/documents/invoice/${id}.pdf`, undefined, ben.token)).status, 200);
+  });
+
+  await t.test('an organization cannot read another organization\'s documents', async () => {
+    const generated = await request('POST', '/generate-estimate', { clientName: 'Ben Client', projectName: 'Re-roof' }, ben.token);
+    assert.equal(generated.status, 200);
+    const { pdfUrl } = generated.body;
+    const jsonUrl = pdfUrl.replace(/\.pdf$/, '');
+
+    assert.deepEqual((await request('GET', '/api/documents', undefined, anna.token)).body.documents, []);
+    assert.equal((await request('GET', jsonUrl, undefined, anna.token)).status, 404);
+    assert.equal((await request('GET', pdfUrl, undefined, anna.token)).status, 404);
+    assert.equal((await request('DELETE', jsonUrl, undefined, anna.token)).status, 404);
+
+    assert.equal((await request('GET', '/api/documents', undefined, ben.token)).body.documents.length, 1);
+    assert.equal((await request('GET', pdfUrl, undefined, ben.token)).status, 200);
+  });
+
+  await t.test('an organization cannot read another organization\'s outbox', async () => {
+    const benOrg = (await request('GET', '/api/me', undefined, ben.token)).body.organization.id;
+    const mail = enqueueMail({ orgId: benOrg, to: 'client@example.com', subject: 'Invoice B-1', text: 'Attached', html: null });
+
+    assert.deepEqual((await request('GET', '/api/outbox', undefined, anna.token)).body.messages, []);
+    assert.equal((await request('GET', `/api/outbox/${mail.id}`, undefined, anna.token)).status, 404);
+    assert.equal((await request('POST', `/api/outbox/${mail.id}/retry`, undefined, anna.token)).status, 404);
+    assert.equal((await request('DELETE', `/api/outbox/${mail.id}`, undefined, anna.token)).status, 404);
+
+    assert.equal((await request('GET', `/api/outbox/${mail.id}`, undefined, ben.token)).body.message.subject, 'Invoice B-1');
+  });
+});
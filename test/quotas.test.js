@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startApp, createAccount, inviteAccount, startFakeLlm, completion } = require('./helpers');
+
+test('AI quotas', async t => {
+  // Prompts mentioning "huge" report a whole day's worth of free-plan tokens
+  const llm = await startFakeLlm(body => {
+    const prompt = body.messages.at(-1).content;
+    return { json: completion('ok', prompt.includes('huge') ? { prompt_tokens: 100000, completion_tokens: 5 } : undefined) };
+  });
+  const { app } = loadServer({ LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url });
+  const request = await startApp(app);
+  const chat = (user, prompt = 'Hi') => request('POST', '/chat', { prompt }, user.token);
+
+  await t.test('the free plan allows 5 requests a minute, then answers 429 with Retry-After', async t => {
+    const alice = await createAccount(request, 'alice');
+    for (let i = 0; i < 5; i++) assert.equal((await chat(alice)).status, 200);
+    const refused = await chat(alice);
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.quota, 'requestsPerMinute');
+    assert.equal(refused.body.plan, 'free');
+    assert.equal(refused.body.limit, 5);
+    assert.equal(refused.body.used, 5);
+    assert.match(refused.body.error, /AI requests per minute on the Free plan/);
+    const retryAfter = Number(refused.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    // Refused requests are not counted, and never reach the model
+    assert.equal(llm.requests.length, 5);
+    const usage = (await request('GET', '/api/usage', undefined, alice.token)).body;
+    assert.equal(usage.quotas.requestsPerMinute.used, 5);
+    assert.equal(usage.byFeature.chat.requests, 5);
+
+    // A minute later the window has moved on
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 61 * 1000);
+    assert.equal((await chat(alice)).status, 200);
+  });
+
+  await t.test('limits apply to each member separately', async () => {
+    const owner = await createAccount(request, 'bob');
+    const members = [await inviteAccount(request, owner, 'carol', 'field'), await inviteAccount(request, owner, 'dave', 'field')];
+    for (let i = 0; i < 5; i++) await chat(members[0]);
+    assert.equal((await chat(members[0])).status, 429);
+    assert.equal((await chat(members[1])).status, 200);
+    assert.equal((await chat(owner)).status, 200);
+  });
+
+  await t.test('the daily token allowance is checked on the next request', async () => {
+    const erin = await createAccount(request, 'erin');
+    assert.equal((await chat(erin, 'a huge document')).status, 200);
+    const refused = await chat(erin);
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.quota, 'tokensPerDay');
+    assert.equal(refused.body.used, 100005);
+    const nextUtcDay = new Date(new Date().toISOString().slice(0, 10)).getTime() + 86400000;
+    assert.equal(Date.parse(refused.body.resetAt), nextUtcDay);
+  });
+
+  await t.test("raising the organization's plan lifts the limit", async () => {
+    const frank = await createAccount(request, 'frank');
+    for (let i = 0; i < 5; i++) await chat(frank);
+    assert.equal((await chat(frank)).status, 429);
+    const orgId = (await request('GET', '/api/org', undefined, frank.token)).body.id;
+    const changed = await request('PUT', `/admin/orgs/${orgId}/plan`, { plan: 'pro' }, null, { 'X-Admin-Key': ADMIN_KEY });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.limits.requestsPerMinute, 20);
+    assert.equal((await chat(frank)).status, 200);
+  });
+
+  await t.test('the deployment API key is not limited', async () => {
+    for (let i = 0; i < 7; i++) {
+      const res = await request('POST', '/api/chat', { prompt: 'Hi' }, null, { 'X-API-Key': ADMIN_KEY });
+      assert.equal(res.status, 200);
+    }
+  });
+
+  await t.test('refusals are counted in ai_quota_rejections_total', async () => {
+    const text = (await request('GET', '/metrics', undefined, null, { 'X-Admin-Key': ADMIN_KEY })).body;
+    assert.match(text, /^ai_quota_rejections_total\{plan="free",quota="requestsPerMinute"\} 3$/m);
+    assert.match(text, /^ai_quota_rejections_total\{plan="free",quota="tokensPerDay"\} 1$/m);
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp } = require('./helpers');
+
+const { app } = loadServer({ USERS: 'alice:correct-horse' });
+
+test('refresh tokens', async t => {
+  const request = await startApp(app);
+  const login = async () => {
+    const res = await request('POST', '/login', { username: 'alice', password: 'correct-horse' });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token && res.body.refreshToken);
+    return res.body;
+  };
+  const refresh = refreshToken => request('POST', '/auth/refresh', { refreshToken });
+
+  await t.test('rotate on every use', async () => {
+    const { refreshToken } = await login();
+    const first = await refresh(refreshToken);
+    assert.equal(first.status, 200);
+    assert.ok(first.body.token);
+    assert.ok(first.body.refreshToken);
+    assert.notEqual(first.body.refreshToken, refreshToken);
+    assert.equal((await request('GET', '/api/me', undefined, first.body.token)).status, 200);
+
+    const second = await refresh(first.body.refreshToken);
+    assert.equal(second.status, 200);
+    assert.notEqual(second.body.refreshToken, first.body.refreshToken);
+  });
+
+  await t.test('the token just replaced still works briefly, without rotating again', async () => {
+    const { refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+    const raced = await refresh(refreshToken);
+    assert.equal(raced.status, 200);
+    assert.ok(raced.body.token);
+    assert.equal(raced.body.refreshToken, undefined);
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 200);
+  });
+
+  await t.test('the replaced token is reuse once the grace period has passed', async () => {
+    const { refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+    const realNow = Date.now;
+    t.mock.method(Date, 'now', () => realNow() + 61 * 1000);
+    try {
+      assert.equal((await refresh(refreshToken)).status, 401);
+    } finally {
+      Date.now.mock.restore();
+    }
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+  });
+
+  await t.test('presenting an older token revokes the whole session', async () => {
+    const { token, refreshToken } = await login();
+    const first = await refresh(refreshToken);
+    const second = await refresh(first.body.refreshToken);
+
+    assert.equal((await refresh(refreshToken)).status, 401);
+    assert.equal((await refresh(second.body.refreshToken)).status, 401);
+    assert.equal((await request('GET', '/api/me', undefined, token)).status, 401);
+  });
+
+  await t.test('unknown and malformed tokens are refused', async () => {
+    assert.equal((await refresh('nope.nope')).status, 401);
+    assert.equal((await refresh('')).status, 401);
+    assert.equal((await request('POST', '/auth/refresh', {})).status, 401);
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { client, unusedPort, createAccount, startFakeLlm, completion } = require('./helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs `node server.js` as its own process (shutdown ends with process.exit)
+ * and resolves once it answers /health/live. `exited` resolves to the exit code.
+ */
+async function startServerProcess(t, env) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-shutdown-'));
+  const port = await unusedPort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env, PORT: String(port), DATA_DIR: dataDir, STORAGE_BACKEND: 'json', BACKUP_CRON: 'off', LOG_LEVEL: 'ERROR',
+      GROQ_API_KEY: '', OPENAI_API_KEY: '', ANTHROPIC_API_KEY: '', GEMINI_API_KEY: '', ...env
+    },
+    stdio: 'ignore'
+  });
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+  t.after(() => {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  const request = client(`http://127.0.0.1:${port}`);
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`server.js exited with ${child.exitCode} before listening`);
+    try {
+      if ((await request('GET', '/health/live')).status === 200) return { child, request, exited, dataDir };
+    } catch (e) { /* not listening yet */ }
+    await sleep(100);
+  }
+  throw new Error('server.js did not start listening within 10 s');
+}
+
+test('SIGTERM waits for the request in flight, saves it and exits 0', async t => {
+  // The model holds its answer until the test lets it go
+  let received, release;
+  const reached = new Promise(resolve => { received = resolve; });
+  const answer = new Promise(resolve => { release = resolve; });
+  const llm = await startFakeLlm(async () => {
+    received();
+    await answer;
+    return { json: completion('Worth the wait') };
+  });
+  const { child, request, exited, dataDir } = await startServerProcess(t, { LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url });
+  const alice = await createAccount(request, 'alice');
+  const { conversation } = (await request('POST', '/api/conversations', { title: 'Drain' }, alice.token)).body;
+
+  const chat = request('POST', '/chat', { prompt: 'Take your time', conversationId: conversation.id }, alice.token);
+  await reached;
+  child.kill('SIGTERM');
+  await sleep(500);
+  assert.equal(child.exitCode, null, 'still draining');
+
+  release();
+  const res = await chat;
+  assert.equal(res.status, 200);
+  assert.equal(res.body.response, 'Worth the wait');
+  assert.equal(await exited, 0);
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'conversations.json'), 'utf8'));
+  const saved = (stored.data || stored).find(c => c.id === conversation.id);
+  assert.deepEqual(saved.messages.map(m => m.content), ['Take your time', 'Worth the wait']);
+});
+
+test('work still running at SHUTDOWN_TIMEOUT_MS is abandoned and the exit code is 1', async t => {
+  // Never answers; the socket is dropped when the test's fake closes
+  const llm = await startFakeLlm(() => new Promise(() => {}));
+  const { child, request, exited } = await startServerProcess(t, {
+    LLM_PROVIDER: 'local', LOCAL_LLM_URL: llm.url, SHUTDOWN_TIMEOUT_MS: '1000'
+  });
+  const alice = await createAccount(request, 'alice');
+  request('POST', '/chat', { prompt: 'Never mind' }, alice.token).catch(() => {});
+  while (!llm.requests.length) await sleep(50);
+
+  const started = Date.now();
+  child.kill('SIGTERM');
+  assert.equal(await exited, 1);
+  assert.ok(Date.now() - started < 5000);
+});
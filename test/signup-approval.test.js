@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startApp, inviteAccount } = require('./helpers');
+
+// SIGNUP_MODE=approval: signups wait for an admin of the default organization
+test('signups in approval mode', async t => {
+  const { app } = loadServer({ SIGNUP_MODE: 'approval', SIGNUP_ROLE: 'office', USERS: 'boss:boss-password' });
+  const request = await startApp(app);
+  const admin = { 'X-Admin-Key': ADMIN_KEY };
+
+  let nextIp = 1;
+  const signup = username =>
+    request('POST', '/signup', { username, password: `${username}-password`, email: `${username}@example.com` }, null, { 'X-Forwarded-For': `192.0.2.${nextIp++}` });
+  const login = username => request('POST', '/login', { username, password: `${username}-password` });
+
+  await t.test('a signup waits in the pending list and cannot sign in', async () => {
+    const res = await signup('alice');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pending, true);
+    assert.equal((await login('alice')).status, 403);
+    const { pending } = (await request('GET', '/admin/pending', undefined, null, admin)).body;
+    assert.deepEqual(pending.map(p => [p.username, p.email]), [['alice', 'alice@example.com']]);
+    // The name stays taken while it waits
+    assert.equal((await signup('alice')).status, 409);
+  });
+
+  await t.test('approval lets it in, in the default organization with SIGNUP_ROLE', async () => {
+    assert.equal((await request('POST', '/admin/approve', { username: 'alice' }, null, admin)).status, 200);
+    const res = await login('alice');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.role, 'office');
+    assert.equal((await request('GET', '/api/org', undefined, res.body.token)).body.id, 'default');
+    assert.deepEqual((await request('GET', '/admin/pending', undefined, null, admin)).body.pending, []);
+  });
+
+  await t.test('rejection drops the request', async () => {
+    await signup('bob');
+    assert.equal((await request('POST', '/admin/reject', { username: 'bob' }, null, admin)).status, 200);
+    assert.equal((await login('bob')).status, 401);
+    assert.equal((await request('POST', '/admin/approve', { username: 'bob' }, null, admin)).status, 404);
+  });
+
+  await t.test('an invite skips the queue', async () => {
+    const boss = { token: (await request('POST', '/login', { username: 'boss', password: 'boss-password' })).body.token };
+    const carol = await inviteAccount(request, boss, 'carol', 'field');
+    assert.equal(carol.role, 'field');
+  });
+});
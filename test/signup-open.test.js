@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, createAccount } = require('./helpers');
+
+// SIGNUP_MODE=open: signups join the default organization straight away
+test('signups in open mode', async t => {
+  const { app } = loadServer({ SIGNUP_MODE: 'open', SIGNUP_ROLE: 'read-only' });
+  const request = await startApp(app);
+
+  await t.test('join the default organization with SIGNUP_ROLE', async () => {
+    const alice = await createAccount(request, 'alice', { organization: 'Ignored Inc' });
+    const bob = await createAccount(request, 'bob');
+    assert.equal(alice.role, 'read-only');
+    const org = (await request('GET', '/api/org', undefined, bob.token)).body;
+    assert.equal(org.id, 'default');
+    assert.equal(org.memberCount, 2);
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startApp, createAccount, inviteAccount } = require('./helpers');
+
+// SIGNUP_MODE=org, the default: every signup without an invite starts its own organization
+test('signups in org mode', async t => {
+  const { app } = loadServer();
+  const request = await startApp(app);
+
+  const alice = await createAccount(request, 'alice', { organization: 'Alice Roofing' });
+  const bob = await createAccount(request, 'bob');
+  const aliceOrg = (await request('GET', '/api/org', undefined, alice.token)).body;
+  const bobOrg = (await request('GET', '/api/org', undefined, bob.token)).body;
+
+  await t.test('each signup owns a new organization', () => {
+    assert.equal(alice.role, 'owner');
+    assert.equal(bob.role, 'owner');
+    assert.equal(aliceOrg.name, 'Alice Roofing');
+    assert.equal(bobOrg.name, "bob's workspace");
+    assert.notEqual(aliceOrg.id, bobOrg.id);
+    assert.notEqual(aliceOrg.id, 'default');
+    assert.equal(aliceOrg.memberCount, 1);
+  });
+
+  await t.test("an invite joins the inviter's organization with the invited role", async () => {
+    const carol = await inviteAccount(request, alice, 'carol', 'office');
+    assert.equal(carol.role, 'office');
+    const carolOrg = (await request('GET', '/api/org', undefined, carol.token)).body;
+    assert.equal(carolOrg.id, aliceOrg.id);
+    assert.equal(carolOrg.memberCount, 2);
+  });
+
+  async function createInvite(role = 'field') {
+    const res = await request('POST', '/api/org/invites', { role }, alice.token);
+    return { id: res.body.invite.id, token: new URL(res.body.link).searchParams.get('invite') };
+  }
+  const signup = (username, invite) =>
+    request('POST', '/signup', { username, password: `${username}-password`, invite }, null, { 'X-Forwarded-For': '192.0.2.1' });
+
+  await t.test('an invite works once', async () => {
+    const invite = await createInvite();
+    assert.equal((await request('GET', `/api/invites/${invite.token}`)).body.organization, 'Alice Roofing');
+    assert.equal((await signup('dave', invite.token)).status, 200);
+    const reused = await signup('erin', invite.token);
+    assert.equal(reused.status, 400);
+    assert.match(reused.body.error, /invalid, expired or already used/);
+    assert.equal((await request('GET', `/api/invites/${invite.token}`)).status, 404);
+  });
+
+  await t.test('revoked and expired invites are refused', async t => {
+    const revoked = await createInvite();
+    assert.equal((await request('DELETE', `/api/org/invites/${revoked.id}`, undefined, alice.token)).status, 200);
+    assert.equal((await signup('frank', revoked.token)).status, 400);
+
+    const expired = await createInvite();
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 7 * 24 * 60 * 60 * 1000 + 1000);
+    assert.equal((await signup('grace', expired.token)).status, 400);
+  });
+
+  await t.test('only an owner can invite owners or admins', async () => {
+    const office = await inviteAccount(request, alice, 'henry', 'office');
+    // office has no users:manage at all; an admin can invite, but not upwards
+    assert.equal((await request('POST', '/api/org/invites', { role: 'field' }, office.token)).status, 403);
+    const admin = await inviteAccount(request, alice, 'irene', 'admin');
+    assert.equal((await request('POST', '/api/org/invites', { role: 'admin' }, admin.token)).status, 403);
+    assert.equal((await request('POST', '/api/org/invites', { role: 'field' }, admin.token)).status, 200);
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+const { createSqliteStorage, SQLITE_MIGRATIONS, readStoreFile, serializeStoreFile, dataDir } = loadServer();
+
+test('store files', async t => {
+  const file = path.join(dataDir, 'store.json');
+  const value = [{ id: 'a', amount: 12.5 }, { id: 'b', note: 'caf\u00e9' }];
+
+  await t.test('a missing file loads as undefined', () => {
+    assert.equal(readStoreFile(path.join(dataDir, 'never-saved.json')), undefined);
+  });
+
+  await t.test('a serialized store reads back unchanged', () => {
+    fs.writeFileSync(file, serializeStoreFile(value));
+    const wrapped = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.match(wrapped.checksum, /^sha256:[0-9a-f]{64}$/);
+    assert.deepEqual(readStoreFile(file), value);
+  });
+
+  await t.test('a file edited after saving fails its checksum', () => {
+    const wrapped = JSON.parse(serializeStoreFile(value));
+    wrapped.data[0].amount = 99;
+    fs.writeFileSync(file, JSON.stringify(wrapped));
+    assert.throws(() => readStoreFile(file), { code: 'STORAGE_CORRUPT', message: /checksum/ });
+  });
+
+  await t.test('invalid JSON is refused, not treated as empty', () => {
+    fs.writeFileSync(file, serializeStoreFile(value).slice(0, -10));
+    assert.throws(() => readStoreFile(file), { code: 'STORAGE_CORRUPT', message: /not valid JSON/ });
+  });
+
+  await t.test('legacy unwrapped files are still accepted', () => {
+    fs.writeFileSync(file, JSON.stringify(value));
+    assert.deepEqual(readStoreFile(file), value);
+    fs.writeFileSync(file, JSON.stringify({ users: [], checksum: 'md5:abc' }));
+    assert.deepEqual(readStoreFile(file), { users: [], checksum: 'md5:abc' });
+  });
+});
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch (e) { hasSqlite = false; }
+
+test('SQLite migrations', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, async t => {
+  const file = path.join(dataDir, 'migrations.db');
+  let firstRun;
+
+  await t.test('apply every version once, in order', () => {
+    const storage = createSqliteStorage(file);
+    const versions = storage.db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(r => r.version);
+    assert.deepEqual(versions, SQLITE_MIGRATIONS.map(m => m.version));
+    assert.ok(storage.isEmpty());
+    firstRun = storage.db.prepare('SELECT version, applied_at FROM schema_migrations ORDER BY version').all();
+    storage.db.close();
+  });
+
+  await t.test('reopening an up-to-date database applies nothing new', () => {
+    const storage = createSqliteStorage(file);
+    const rows = storage.db.prepare('SELECT version, applied_at FROM schema_migrations ORDER BY version').all();
+    assert.deepEqual(rows, firstRun);
+    storage.db.close();
+  });
+
+  await t.test('table stores round-trip rows and drop removed ones', () => {
+    const storage = createSqliteStorage(file);
+    const a = { id: 'inv-a', orgId: 'org-1', invoiceNumber: 'A-1', total: 100 };
+    const b = { id: 'inv-b', orgId: 'org-2', invoiceNumber: 'B-1', total: 250 };
+    storage.save('invoices', [a, b]);
+    assert.deepEqual(storage.load('invoices'), [a, b]);
+    assert.equal(storage.db.prepare('SELECT org_id FROM invoices WHERE id = ?').get('inv-b').org_id, 'org-2');
+
+    storage.save('invoices', [{ ...a, total: 120 }]);
+    assert.deepEqual(storage.load('invoices'), [{ ...a, total: 120 }]);
+    assert.equal(storage.db.prepare('SELECT COUNT(*) AS n FROM invoices').get().n, 1);
+    storage.db.close();
+  });
+
+  await t.test('rows without their key are refused', () => {
+    const storage = createSqliteStorage(file);
+    assert.throws(() => storage.save('invoices', [{ orgId: 'org-1' }]), /missing its id/);
+    storage.db.close();
+  });
+});
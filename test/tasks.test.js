@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+const interrupted = {
+  id: 'task-1', prompt: 'Summarize the week', status: 'processing', attempts: 1, maxAttempts: 3,
+  callbackUrl: null, createdAt: Date.now() - 60000, updatedAt: Date.now() - 60000
+};
+const { dataDir } = loadServer({}, { 'tasks.json': [interrupted] });
+
+test('requiring the module leaves queued work for startServer to resume', async () => {
+  // resumeTasks would re-queue the interrupted task and save the store
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'tasks.json'), 'utf8')), [interrupted]);
+});
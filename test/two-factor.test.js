@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadServer } = require('./helpers');
+
+const { totpCode, matchTotp, base32Encode, base32Decode, generateRecoveryCodes, verifySecondFactor, encryptConnectorKey } = loadServer();
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+test('totpCode matches the RFC 6238 SHA-1 test vectors', () => {
+  const secret = Buffer.from('12345678901234567890');
+  // T = 59 s, 1111111109 s and 2000000000 s with a 30 s period; six-digit truncation
+  assert.equal(totpCode(secret, 1), '287082');
+  assert.equal(totpCode(secret, 37037036), '081804');
+  assert.equal(totpCode(secret, 66666666), '279037');
+});
+
+test('base32 round-trips arbitrary bytes', () => {
+  const bytes = crypto.randomBytes(20);
+  const encoded = base32Encode(bytes);
+  assert.match(encoded, /^[A-Z2-7]+$/);
+  assert.deepEqual(base32Decode(encoded), bytes);
+  assert.deepEqual(base32Decode(encoded.toLowerCase()), bytes);
+  assert.throws(() => base32Decode('ABC1'), /Invalid base32/);
+});
+
+test('matchTotp', async t => {
+  const secretB32 = base32Encode(crypto.randomBytes(20));
+  const secret = base32Decode(secretB32);
+
+  await t.test('accepts the current code and one step of drift either way', () => {
+    const now = currentStep();
+    for (const step of [now - 1, now, now + 1]) {
+      assert.ok([step - 1, step, step + 1].includes(matchTotp(secretB32, totpCode(secret, step))));
+    }
+  });
+
+  await t.test('rejects codes outside the window and malformed input', () => {
+    assert.equal(matchTotp(secretB32, totpCode(secret, currentStep() - 5)), null);
+    assert.equal(matchTotp(secretB32, '12345'), null);
+    assert.equal(matchTotp(secretB32, 'abcdef'), null);
+    assert.equal(matchTotp(secretB32, ''), null);
+  });
+
+  await t.test('ignores spaces inside the code', () => {
+    const code = totpCode(secret, currentStep());
+    assert.notEqual(matchTotp(secretB32, `${code.slice(0, 3)} ${code.slice(3)}`), null);
+  });
+
+  await t.test('refuses a step at or before afterStep (replay guard)', () => {
+    const step = matchTotp(secretB32, totpCode(secret, currentStep()));
+    assert.notEqual(step, null);
+    assert.equal(matchTotp(secretB32, totpCode(secret, step), step), null);
+  });
+});
+
+test('verifySecondFactor', async t => {
+  const secretB32 = base32Encode(crypto.randomBytes(20));
+  const enrolled = () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const user = { username: 'alice', totp: { enabled: true, secret: encryptConnectorKey(secretB32), recoveryCodes: hashes } };
+    return { user, codes };
+  };
+
+  await t.test('accepts a TOTP code once and records its step', () => {
+    const { user } = enrolled();
+    const code = totpCode(base32Decode(secretB32), currentStep());
+    assert.equal(verifySecondFactor(user, code), 'totp');
+    assert.equal(typeof user.totp.lastStep, 'number');
+    assert.equal(verifySecondFactor(user, code), null);
+  });
+
+  await t.test('spends a recovery code on use', () => {
+    const { user, codes } = enrolled();
+    assert.equal(codes.length, 10);
+    assert.equal(verifySecondFactor(user, codes[0]), 'recovery');
+    assert.equal(user.totp.recoveryCodes.length, 9);
+    assert.equal(verifySecondFactor(user, codes[0]), null);
+  });
+
+  await t.test('matches recovery codes regardless of case and dashes', () => {
+    const { user, codes } = enrolled();
+    assert.equal(verifySecondFactor(user, codes[1].toUpperCase().replace('-', '')), 'recovery');
+  });
+
+  await t.test('rejects unknown codes, empty input and users without 2FA', () => {
+    const { user, codes } = enrolled();
+    assert.equal(verifySecondFactor(user, 'nope-nope'), null);
+    assert.equal(verifySecondFactor(user, ''), null);
+    assert.equal(verifySecondFactor({ username: 'bob' }, codes[0]), null);
+    assert.equal(verifySecondFactor({ ...user, totp: { ...user.totp, enabled: false } }, codes[0]), null);
+  });
+});